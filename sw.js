@@ -4,12 +4,13 @@
  * Security: Enhanced CSP, error handling, performance optimization
  */
 
-const CACHE_NAME = 'aveva-config-production-v3.0.0';
+const CACHE_NAME = 'aveva-config-production-v3.1.0';
 const urlsToCache = [
   '/',
   '/index.html',
   '/styles.css',
   '/app.js',
+  '/worker.js',
   '/manifest.json',
   'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600&family=JetBrains+Mono:wght@400&display=swap',
   'https://unpkg.com/lucide@latest/dist/umd/lucide.js'
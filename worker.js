@@ -0,0 +1,28 @@
+/**
+ * Aveva System Platform - Attribute Configuration Assistant
+ * Import/Export worker - runs BackgroundTasks from app.js off the main thread
+ * Messages in: { id, task, payload }
+ * Messages out: { id, type: 'report' | 'done' | 'error', message?, result?, error? }
+ */
+
+importScripts('app.js');
+
+self.addEventListener('message', async (event) => {
+  const { id, task, payload } = event.data;
+
+  try {
+    if (typeof BackgroundTasks[task] !== 'function') {
+      throw new Error(`Unknown task "${task}"`);
+    }
+
+    // Workbook reading is asynchronous, the other tasks return their result
+    const result = await BackgroundTasks[task](payload, (message) => {
+      self.postMessage({ id, type: 'report', message });
+    });
+    // Workbook and archive bytes are handed over rather than copied
+    const transfer = result && result.content instanceof Uint8Array ? [result.content.buffer] : [];
+    self.postMessage({ id, type: 'done', result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: error.message });
+  }
+});